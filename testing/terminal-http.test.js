@@ -0,0 +1,215 @@
+// curl and wget against a local stand-in server. Run with:
+//   node --test testing/
+// The commands' code is read out of js/main.js and run in a sandbox with a
+// small in-memory file tree; terminalFetch goes through Node's fetch instead
+// of the bare-mux transport, so nothing outside this machine is reached.
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const http = require('node:http');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const source = fs.readFileSync(path.join(__dirname, '..', 'js', 'main.js'), 'utf8');
+
+// A top-level declaration from main.js, up to its closing line
+function extract(pattern, end) {
+  const match = new RegExp(`^${pattern}`, 'm').exec(source);
+  assert.ok(match, `${pattern} not found in main.js`);
+  return source.slice(match.index, source.indexOf(end, match.index) + end.length);
+}
+
+function extractFunction(name) {
+  return extract(`(async )?function ${name}\\(`, '\n}\n');
+}
+
+// The body of the curl / wget branch of the command runner
+function extractHttpBranch() {
+  const start = source.indexOf('} else if (cmd === "curl" || cmd === "wget") {');
+  const end = source.indexOf('} else if (cmd === "find") {', start);
+  assert.ok(start > 0 && end > start, 'curl / wget branch not found in main.js');
+  return source.slice(source.indexOf('\n', start) + 1, end);
+}
+
+const PNG_BYTES = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 0x0d, 0x49, 0x48, 0x44, 0x52]);
+
+// The stand-in server: /echo describes the request it got, /moved redirects
+// to /hello.txt, /missing is a 404 and /logo.png is binary
+function handleRequest(req, res) {
+  const chunks = [];
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', () => {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname === '/echo') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ method: req.method, headers: req.headers, body: Buffer.concat(chunks).toString() }));
+    } else if (url.pathname === '/hello.txt') {
+      res.writeHead(200, { 'Content-Type': 'text/plain' });
+      res.end('hello\n');
+    } else if (url.pathname === '/moved') {
+      res.writeHead(302, { Location: '/hello.txt' });
+      res.end();
+    } else if (url.pathname === '/logo.png') {
+      res.writeHead(200, { 'Content-Type': 'image/png', 'Content-Length': PNG_BYTES.length });
+      res.end(PNG_BYTES);
+    } else {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('not found\n');
+    }
+  });
+}
+
+const sandboxCode = `
+let fileSystem = {};
+const storedBlobs = [];
+${extract('const FS_BLOB_PREFIX', ';\n')}
+${extract('const FS_MOUNT_BLOB_PREFIX', ';\n')}
+${extract('const FS_TEXT_FILE_LIMIT', ';\n')}
+${extract('const FS_MIME_TYPES', '\n};\n')}
+${['escapeHtml', 'formatBytes', 'resolvePath', 'getFSNode', 'isFSDirectory', 'isFSBlobRef', 'guessFSMimeType',
+  'readBlobAsFSText', 'readTerminalTextInput', 'writeShellRedirect', 'runTerminalTask',
+  'parseTerminalHttpArgs', 'getTerminalHttpBody', 'readTerminalHttpBody', 'formatTerminalHttpHeaders',
+  'saveTerminalHttpBody', 'getTerminalDownloadName'].map(extractFunction).join('\n')}
+
+function checkFSAccess() { return true; }
+function canWriteFSPath() { return true; }
+function touchFSMeta() {}
+function saveFS() {}
+
+// Binary files are kept here instead of the browser's blob store
+async function writeFSBinaryFile(pathParts, data, type) {
+  storedBlobs.push({ data, type });
+  getFSNode(pathParts.slice(0, -1))[pathParts[pathParts.length - 1]] = FS_BLOB_PREFIX + (storedBlobs.length - 1);
+}
+
+async function terminalFetch(url, init) {
+  const response = await fetch(url, init);
+  response.finalURL = response.url;
+  return response;
+}
+
+async function runHttpCommand(cmd, cmdArgs, sh) {
+  const output = { innerHTML: '' };
+  const terminal = { scrollTop: 0, scrollHeight: 0 };
+  let cmdOutput = '';
+  let pipeOutput = null;
+  let status = 0;
+  if (true) {
+${extractHttpBranch()}  }
+  cmdOutput = await cmdOutput;
+  return { html: cmdOutput, text: pipeOutput, status };
+}
+`;
+
+let server;
+let baseURL;
+let sandbox;
+
+before(async () => {
+  server = http.createServer(handleRequest);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseURL = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+// A fresh file tree for each test, with the shell working in /Documents
+beforeEach(() => {
+  sandbox = vm.createContext({ fetch, Blob, Headers, URL, TextDecoder, console });
+  vm.runInContext(sandboxCode, sandbox);
+  vm.runInContext('fileSystem = { Documents: { "form.txt": "b=2" } };', sandbox);
+});
+
+function run(line) {
+  const sh = { cwd: ['Documents'], env: {}, interrupted: false };
+  const args = line.split(' ').map(arg => arg.replace('$URL', baseURL));
+  return sandbox.runHttpCommand(args[0], args.slice(1), sh);
+}
+
+function documents() {
+  return vm.runInContext('fileSystem.Documents', sandbox);
+}
+
+test('curl sends -X, -H and -d, joining -d values and reading @file', async () => {
+  const result = await run('curl -X PUT -H X-Test:yes -d a=1 -d @form.txt $URL/echo');
+  assert.equal(result.status, 0);
+  const echo = JSON.parse(result.text);
+  assert.equal(echo.method, 'PUT');
+  assert.equal(echo.headers['x-test'], 'yes');
+  assert.equal(echo.headers['content-type'], 'application/x-www-form-urlencoded');
+  assert.equal(echo.body, 'a=1&b=2');
+});
+
+test('curl -d without -X posts', async () => {
+  const result = await run('curl --data=x=1 $URL/echo');
+  assert.equal(JSON.parse(result.text).method, 'POST');
+});
+
+test('curl refuses data with GET', async () => {
+  const result = await run('curl -X GET -d a=1 $URL/echo');
+  assert.match(result.html, /cannot send data with GET/);
+});
+
+test('curl -o saves to the named file and -O to the remote name', async () => {
+  let result = await run('curl -o out.txt $URL/hello.txt');
+  assert.equal(result.status, 0);
+  assert.equal(documents()['out.txt'], 'hello\n');
+
+  result = await run('curl -s -O $URL/hello.txt');
+  assert.equal(result.html, '');
+  assert.equal(documents()['hello.txt'], 'hello\n');
+});
+
+test('wget saves under the URL name, numbering repeats, and -O names the file', async () => {
+  await run('wget -q $URL/hello.txt');
+  await run('wget -q $URL/hello.txt');
+  assert.equal(documents()['hello.txt'], 'hello\n');
+  assert.equal(documents()['hello.txt.1'], 'hello\n');
+
+  await run('wget -O saved.txt $URL/hello.txt');
+  assert.equal(documents()['saved.txt'], 'hello\n');
+});
+
+test('curl follows redirects only with -L; wget always does', async () => {
+  let result = await run('curl -i $URL/moved');
+  assert.match(result.text, /^HTTP\/1\.1 302/);
+  assert.match(result.text, /location: \/hello\.txt/);
+  assert.ok(!result.text.includes('hello\n'));
+
+  result = await run('curl -L $URL/moved');
+  assert.equal(result.text, 'hello\n');
+
+  await run('wget $URL/moved');
+  assert.equal(documents()['hello.txt'], 'hello\n');
+});
+
+test('curl --fail exits 22 on an HTTP error, plain curl exits 0, wget 8', async () => {
+  let result = await run('curl --fail $URL/missing');
+  assert.equal(result.status, 22);
+  assert.match(result.html, /returned error: 404/);
+
+  result = await run('curl $URL/missing');
+  assert.equal(result.status, 0);
+  assert.equal(result.text, 'not found\n');
+
+  result = await run('wget $URL/missing');
+  assert.equal(result.status, 8);
+});
+
+test('binary bodies are saved as binary files and not printed', async () => {
+  let result = await run('curl $URL/logo.png');
+  assert.equal(result.status, 23);
+
+  result = await run('curl -o logo.png $URL/logo.png');
+  assert.equal(result.status, 0);
+  assert.match(documents()['logo.png'], /^veltrablob:\/\//);
+  const stored = vm.runInContext('storedBlobs[0]', sandbox);
+  assert.equal(stored.type, 'image/png');
+  assert.deepEqual(Buffer.from(await stored.data.arrayBuffer()), PNG_BYTES);
+});
+
+test('a refused connection exits 7', async () => {
+  const result = await run('curl http://127.0.0.1:1/');
+  assert.equal(result.status, 7);
+  assert.match(result.html, /Failed to connect/);
+});
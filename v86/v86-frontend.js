@@ -170,6 +170,13 @@ class V86Frontend {
                             <input type="file" id="v86-disk-file" accept=".iso,.img,.bin" title="Select an ISO file or disk image to boot from">
                             <small class="v86-help-text">Select an ISO file (CD/DVD image) or disk image to boot from</small>
                         </div>
+                        <div class="v86-config-row">
+                            <label>From Veltra Files:</label>
+                            <select id="v86-vfs-disk" title="Boot a disk image stored in the Veltra file system">
+                                <option value="">Select a disk image...</option>
+                            </select>
+                            <small class="v86-help-text">Uploaded images are kept in the Disks folder</small>
+                        </div>
                     </div>
                 </div>
             </div>
@@ -246,6 +253,11 @@ class V86Frontend {
             this.handleDiskImageUpload(e.target.files[0]);
         });
         
+        const vfsDiskSelect = document.getElementById('v86-vfs-disk');
+        vfsDiskSelect.addEventListener('focus', () => this.populateVirtualDiskList());
+        vfsDiskSelect.addEventListener('change', (e) => this.loadVirtualDiskImage(e.target.value));
+        this.populateVirtualDiskList();
+        
         // Canvas input handling
         this.canvas.addEventListener('click', () => this.captureInput());
         this.canvas.addEventListener('contextmenu', (e) => e.preventDefault());
@@ -743,12 +755,61 @@ class V86Frontend {
         }
     }
 
+    /**
+     * List disk images stored in the Veltra virtual file system
+     */
+    populateVirtualDiskList() {
+        const select = document.getElementById('v86-vfs-disk');
+        if (!select || typeof window.findFSDiskImages !== 'function') return;
+        
+        const selected = select.value;
+        select.innerHTML = '<option value="">Select a disk image...</option>';
+        window.findFSDiskImages().forEach((path) => {
+            const option = document.createElement('option');
+            option.value = path;
+            option.textContent = path;
+            select.appendChild(option);
+        });
+        select.value = selected;
+    }
+
+    /**
+     * Boot from a disk image in the virtual file system. The Blob is handed to
+     * V86 as a File so large images are read on demand instead of up front.
+     */
+    async loadVirtualDiskImage(path) {
+        if (!path || typeof window.readFSFileAsBlob !== 'function') return;
+        
+        const parts = path.split('/').filter(p => p);
+        const name = parts[parts.length - 1];
+        this.updateStatus('Loading disk image...', 'loading');
+        
+        try {
+            const blob = await window.readFSFileAsBlob(parts);
+            if (!blob) throw new Error('File data is missing');
+            this.config.cdrom = { buffer: new File([blob], name) };
+            this.updateStatus('Ready to start', 'ready');
+            this.showToast(`Disk image loaded: ${name} (${Math.round(blob.size / 1024 / 1024)}MB)`, 'fa-check-circle');
+            this.enableControls(['start']);
+        } catch (error) {
+            this.updateStatus('Ready', 'ready');
+            this.showToast(`Failed to load ${name}: ${error.message}`, 'fa-exclamation-triangle');
+        }
+    }
+
     /**
      * Handle ISO/disk image upload
      */
     handleDiskImageUpload(file) {
         if (!file) return;
         
+        // Keep a copy in the virtual file system so it can be booted again later
+        if (typeof window.saveFSDiskImage === 'function') {
+            window.saveFSDiskImage(file)
+                .then(() => this.populateVirtualDiskList())
+                .catch((error) => console.warn('V86: could not store disk image:', error));
+        }
+        
         // Check file type and provide appropriate feedback
         const fileExt = file.name.toLowerCase().split('.').pop();
         const isISO = fileExt === 'iso';